@@ -0,0 +1,415 @@
+importScripts("settings.js");
+
+console.log("🧠 Cognitive Layer AI background worker loaded");
+
+// ============================================================
+// LOCAL MODEL SERVER PROXY
+// ============================================================
+
+// API paths content scripts may request; anything else is refused
+const LOCAL_API_PATHS = ["/api/tags", "/api/chat", "/v1/models", "/v1/chat/completions"];
+
+/**
+ * Content scripts share the host page's origin, so requests to a local model
+ * server are proxied here where the extension's host permissions apply.
+ * Callers name only an API path and a JSON body; the server URL and API key
+ * come from settings. Response bodies are streamed back chunk by chunk.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "cognitive-local-ai") return;
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener(async (request) => {
+    try {
+      if (!LOCAL_API_PATHS.includes(request.path)) {
+        throw new Error(`Unsupported local model API path: ${request.path}`);
+      }
+      if (request.body !== undefined && typeof request.body !== "string") {
+        throw new Error("Local model request body must be a JSON string");
+      }
+
+      const settings = await loadSettings();
+      const url = new URL(getLocalEndpointUrl(settings, request.path));
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new Error("Local server URL must use http or https");
+      }
+
+      const response = await fetch(url, {
+        method: request.body === undefined ? "GET" : "POST",
+        headers: getLocalRequestHeaders(settings),
+        body: request.body,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Local model server returned ${response.status} ${response.statusText}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        port.postMessage({ type: "chunk", text: decoder.decode(value, { stream: true }) });
+      }
+
+      port.postMessage({ type: "done" });
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      console.error("❌ Local model request failed:", error);
+      port.postMessage({ type: "error", message: error.message || "Unknown error" });
+    }
+  });
+});
+
+// The API key used to be synced; keep it on this device only
+chrome.runtime.onInstalled.addListener(() => {
+  migrateLocalOnlySettings().catch(error => console.error("❌ Settings migration failed:", error));
+});
+
+// ============================================================
+// KEYBOARD COMMANDS
+// ============================================================
+
+// Maps manifest command names to content script actions
+const COMMAND_ACTIONS = {
+  "generate-overview": "generateOverview",
+  "generate-cues": "generateCues",
+  "fix-labels": "fixLabels",
+  "fix-forms": "fixForms",
+  "summarize-tables": "summarizeTables",
+  "show-outline": "showOutline",
+  "audit-page": "auditPage",
+  "ask-page": "openAskDialog",
+  "describe-images": "describeImages",
+  "simplify-text": "simplifyText",
+  "summarize-selection": "summarizeSelection",
+  "explain-this": "explainThis",
+  "describe-this": "describeThis",
+  "repeat-announcement": "repeatAnnouncement",
+  "toggle-pause-jobs": "togglePauseJobs",
+  "cancel-jobs": "cancelJobs"
+};
+
+/**
+ * Browser pages where content scripts cannot run
+ */
+function isRestrictedUrl(url) {
+  return !url ||
+    url.startsWith("chrome://") ||
+    url.startsWith("chrome-extension://") ||
+    url.startsWith("edge://") ||
+    url.startsWith("https://chrome.google.com/webstore");
+}
+
+/**
+ * Injects the content scripts into a frame of a tab (the top frame by
+ * default) unless they are already loaded there
+ */
+async function ensureContentScript(tabId, frameId = 0) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: "ping" }, { frameId });
+    if (response?.status === "pong") return;
+  } catch (error) {
+    // Not loaded yet
+  }
+
+  console.log("📥 Content script not found, injecting...");
+  await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    files: ["settings.js", "content.js"]
+  });
+  // Wait for script to initialize
+  await new Promise(resolve => setTimeout(resolve, 500));
+}
+
+/**
+ * Sends an action to the content script in a frame of a tab (the top frame
+ * by default), injecting it first if needed. payload adds fields to the message.
+ */
+async function sendActionToTab(tab, action, payload = {}, frameId = 0) {
+  if (!tab?.id || isRestrictedUrl(tab.url)) {
+    console.warn(`⚠️ Cannot run ${action} on this page:`, tab?.url);
+    return null;
+  }
+
+  await ensureContentScript(tab.id, frameId);
+  return chrome.tabs.sendMessage(tab.id, { action, ...payload }, { frameId });
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  console.log("⌨️ Command received:", command);
+  
+  // Must run before any await, while the key press still counts as a user gesture
+  if (command === "open-side-panel") {
+    if (tab) {
+      chrome.sidePanel.open({ windowId: tab.windowId })
+        .catch(error => console.error("❌ Could not open side panel:", error));
+    }
+    return;
+  }
+
+  const action = COMMAND_ACTIONS[command];
+  if (!action) {
+    console.warn("⚠️ Unknown command:", command);
+    return;
+  }
+
+  try {
+    if (!tab) {
+      [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    }
+    await sendActionToTab(tab, action);
+  } catch (error) {
+    console.error(`❌ Command ${command} failed:`, error);
+  }
+});
+
+// ============================================================
+// CONTEXT MENU
+// ============================================================
+
+// Menu entries; each runs a content script action on the element or text
+// the menu was opened on. Titles are message keys.
+const CONTEXT_MENU_ITEMS = [
+  { id: "summarize-selection", title: "menuSummarizeSelection", contexts: ["selection"], action: "summarizeSelection" },
+  { id: "simplify-selection", title: "menuSimplifySelection", contexts: ["selection"], action: "simplifyText", payload: { scope: "selection" } },
+  { id: "explain-this", title: "menuExplainThis", contexts: ["selection", "page", "link", "image", "editable"], action: "explainThis" },
+  { id: "describe-this", title: "menuDescribeThis", contexts: ["link", "image"], action: "describeThis" }
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    for (const { id, title, contexts } of CONTEXT_MENU_ITEMS) {
+      chrome.contextMenus.create({ id, title: chrome.i18n.getMessage(title), contexts });
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const item = CONTEXT_MENU_ITEMS.find(entry => entry.id === info.menuItemId);
+  if (!item) return;
+
+  // The frame the menu was opened in gets the action, with what the browser
+  // knows about the click: text selected there, even inside a field, and
+  // the link or image under the pointer
+  const menu = { selectionText: info.selectionText, linkUrl: info.linkUrl, srcUrl: info.srcUrl };
+
+  try {
+    await sendActionToTab(tab, item.action, { ...item.payload, menu }, info.frameId ?? 0);
+  } catch (error) {
+    console.error(`❌ Menu action ${item.id} failed:`, error);
+  }
+});
+
+// ============================================================
+// IMAGE FETCHING
+// ============================================================
+
+// Larger images are skipped rather than sent to a model
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// Redirects followed for one image before giving up
+const MAX_IMAGE_REDIRECTS = 5;
+
+/**
+ * Whether a host name is this machine or a private network address, which
+ * pages must not be able to reach through the extension
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".local") || host.endsWith(".internal")) {
+    return true;
+  }
+
+  const ipv4 = host.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  // IPv6: unspecified, loopback, unique local, link-local and IPv4-mapped
+  return host.includes(":") &&
+    (host === "::" || host === "::1" || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith("::ffff:"));
+}
+
+/**
+ * Throws unless an image address may be fetched for a page on pageHost:
+ * http or https, and not a private network host unless the page is on it
+ */
+function checkImageUrl(target, pageHost) {
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    throw new Error("Only http and https images can be fetched");
+  }
+  if (isPrivateHost(target.hostname) && target.hostname !== pageHost) {
+    throw new Error("Images on private network hosts are not fetched");
+  }
+}
+
+/**
+ * Requests an image, following redirects one at a time so every address on
+ * the way is checked with checkImageUrl before it is requested
+ */
+async function requestImage(target, pageHost, signal) {
+  for (let redirects = 0; redirects <= MAX_IMAGE_REDIRECTS; redirects++) {
+    checkImageUrl(target, pageHost);
+    const response = await fetch(target, { credentials: "omit", redirect: "manual", signal });
+
+    // Where the browser hides the redirect's Location, it can't be checked
+    if (response.type === "opaqueredirect") {
+      throw new Error("Redirected images are not fetched");
+    }
+    const location = response.status >= 300 && response.status < 400 && response.headers.get("location");
+    if (!location) {
+      if (response.url) checkImageUrl(new URL(response.url), pageHost);
+      return response;
+    }
+    target = new URL(location, target);
+  }
+  throw new Error("Image request was redirected too many times");
+}
+
+/**
+ * Fetches an image with the extension's host permissions, so cross-origin
+ * images can be described, and returns it as a data URL. Private network
+ * hosts are only fetched for a page on the same host, also when reached
+ * through a redirect, and anything that is not an image or is over
+ * MAX_IMAGE_BYTES is refused before it is read.
+ */
+async function fetchImageAsDataUrl(url, pageUrl) {
+  let pageHost = "";
+  try {
+    pageHost = new URL(pageUrl).hostname;
+  } catch (error) {
+    // No page URL, so private hosts stay refused
+  }
+
+  const controller = new AbortController();
+  const response = await requestImage(new URL(url), pageHost, controller.signal);
+  if (!response.ok) {
+    throw new Error(`Image request returned ${response.status}`);
+  }
+
+  const type = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  if (!type.startsWith("image/")) {
+    controller.abort();
+    throw new Error("The address is not an image");
+  }
+  if (Number(response.headers.get("content-length")) > MAX_IMAGE_BYTES) {
+    controller.abort();
+    throw new Error("Image is too large to describe");
+  }
+
+  // Content-Length can be missing or wrong, so the size is also checked while reading
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > MAX_IMAGE_BYTES) {
+      controller.abort();
+      throw new Error("Image is too large to describe");
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type !== "fetchImage") return false;
+
+  fetchImageAsDataUrl(message.url, sender.url || sender.tab?.url)
+    .then(dataUrl => sendResponse({ status: "ok", dataUrl }))
+    .catch(error => sendResponse({ status: "error", error: error.message }));
+  return true; // Keep channel open for async response
+});
+
+// ============================================================
+// SIDE PANEL HISTORY
+// ============================================================
+
+// Per tab, in chrome.storage.session under "history:<tabId>":
+// { pages: [{ url, title, time, overview, summaries, labels }], announcements: [{ id, text, url, title, time }],
+//   nextAnnouncementId }
+// Announcement ids never repeat within a tab, so the side panel can keep its place.
+// A label's kind is a message key, localized when the side panel shows it.
+const MAX_HISTORY_PAGES = 10;
+const MAX_HISTORY_ANNOUNCEMENTS = 200;
+
+// Writes are chained so results arriving together don't overwrite each other
+let historyWrites = Promise.resolve();
+
+/**
+ * Storage key for a tab's history
+ */
+function getHistoryKey(tabId) {
+  return `history:${tabId}`;
+}
+
+/**
+ * Adds one result reported by a content script to its tab's history
+ */
+async function recordPageResult(tabId, { kind, data, url, title }) {
+  const key = getHistoryKey(tabId);
+  const { [key]: history = { pages: [], announcements: [] } } = await chrome.storage.session.get(key);
+  const time = Date.now();
+  
+  if (kind === "announcement") {
+    const id = history.nextAnnouncementId || 0;
+    history.nextAnnouncementId = id + 1;
+    history.announcements.push({ id, text: data.text, url, title, time });
+    history.announcements = history.announcements.slice(-MAX_HISTORY_ANNOUNCEMENTS);
+  } else {
+    let page = history.pages[history.pages.length - 1];
+    if (!page || page.url !== url) {
+      page = { url, title, time, overview: null, summaries: [], labels: [] };
+      history.pages.push(page);
+      history.pages = history.pages.slice(-MAX_HISTORY_PAGES);
+    }
+    page.title = title;
+    
+    if (kind === "overview") {
+      page.overview = data.text;
+    } else if (kind === "summary") {
+      page.summaries = page.summaries.filter(item => item.heading !== data.heading);
+      page.summaries.push({ heading: data.heading, text: data.text });
+    } else if (kind === "label") {
+      page.labels.push({ kind: data.kind, before: data.before, after: data.after });
+    }
+  }
+  
+  await chrome.storage.session.set({ [key]: history });
+}
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.type !== "pageResult" || !sender.tab?.id) return false;
+  
+  historyWrites = historyWrites
+    .then(() => recordPageResult(sender.tab.id, message))
+    .catch(error => console.error("❌ Could not record result:", error));
+  return false;
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(getHistoryKey(tabId));
+});
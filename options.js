@@ -0,0 +1,277 @@
+console.log("🧠 Cognitive Layer options script loading...");
+
+// Settings edited through dedicated controls rather than the main form
+const NON_FORM_KEYS = ["siteOverrides"];
+
+/**
+ * Shows status message on the options page
+ */
+function showStatus(message, type = "info") {
+  const statusEl = document.getElementById("status");
+  statusEl.textContent = message;
+  statusEl.className = type;
+}
+
+/**
+ * Keys of settings that have a form control
+ */
+function getFormKeys() {
+  return Object.keys(DEFAULT_SETTINGS).filter(key => !NON_FORM_KEYS.includes(key));
+}
+
+/**
+ * Writes settings values into the form controls with matching ids
+ */
+function fillForm(settings) {
+  for (const key of getFormKeys()) {
+    const input = document.getElementById(key);
+    if (!input) continue;
+
+    if (input.type === "checkbox") {
+      input.checked = Boolean(settings[key]);
+    } else if (Array.isArray(DEFAULT_SETTINGS[key])) {
+      input.value = settings[key].join("\n");
+    } else {
+      input.value = settings[key];
+    }
+  }
+}
+
+/**
+ * Reads a number input, clamped to its min and max. Empty or invalid
+ * values fall back to the default rather than becoming 0.
+ */
+function readNumberInput(input, fallback) {
+  const value = input.value.trim() === "" ? NaN : Number(input.value);
+  if (!Number.isFinite(value)) return fallback;
+
+  const min = input.min === "" ? -Infinity : Number(input.min);
+  const max = input.max === "" ? Infinity : Number(input.max);
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Reads settings values back from the form controls
+ */
+function readForm() {
+  const settings = {};
+
+  for (const key of getFormKeys()) {
+    const input = document.getElementById(key);
+    if (!input) continue;
+
+    if (input.type === "checkbox") {
+      settings[key] = input.checked;
+    } else if (input.type === "number") {
+      settings[key] = readNumberInput(input, DEFAULT_SETTINGS[key]);
+    } else if (Array.isArray(DEFAULT_SETTINGS[key])) {
+      settings[key] = input.value
+        .split("\n")
+        .map(line => line.trim().toLowerCase())
+        .filter(Boolean);
+    } else {
+      settings[key] = input.value.trim();
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Returns the hostname currently being edited, or "" for all sites
+ */
+function getCurrentScope() {
+  return document.getElementById("scope").value;
+}
+
+/**
+ * Normalizes user input like "https://www.Example.com/page" to "example.com"
+ */
+function normalizeSite(input) {
+  let site = input.trim().toLowerCase();
+  if (!site) return "";
+
+  try {
+    site = new URL(site.includes("://") ? site : `https://${site}`).hostname;
+  } catch (error) {
+    return "";
+  }
+
+  return site.replace(/^www\./, "");
+}
+
+/**
+ * Rebuilds the scope dropdown from stored site overrides
+ */
+function renderScopeOptions(siteOverrides, selected = "") {
+  const scope = document.getElementById("scope");
+  scope.replaceChildren(new Option("All sites", ""));
+
+  for (const site of Object.keys(siteOverrides).sort()) {
+    scope.add(new Option(site, site));
+  }
+
+  scope.value = selected;
+  document.getElementById("removeSite").disabled = !selected;
+}
+
+/**
+ * Loads the form for the selected scope: global settings or one site's overrides
+ */
+async function loadScope() {
+  const site = getCurrentScope();
+  fillForm(await loadSettings(site || undefined));
+  document.getElementById("removeSite").disabled = !site;
+}
+
+/**
+ * Saves the form either globally or as the differences for one site
+ */
+async function saveForm() {
+  const site = getCurrentScope();
+  const values = readForm();
+
+  if (!site) {
+    await saveSettings(values);
+    return "✅ Settings saved for all sites.";
+  }
+
+  const globalSettings = await loadSettings();
+  const overrides = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (GLOBAL_ONLY_SETTINGS.includes(key)) continue;
+    if (JSON.stringify(value) !== JSON.stringify(globalSettings[key])) {
+      overrides[key] = value;
+    }
+  }
+
+  const siteOverrides = { ...globalSettings.siteOverrides, [site]: overrides };
+  await saveSettings({ siteOverrides });
+  return `✅ Saved ${Object.keys(overrides).length} override(s) for ${site}.`;
+}
+
+/**
+ * Checks that the local model server answers with the current form values
+ */
+async function testConnection() {
+  const settings = { ...DEFAULT_SETTINGS, ...readForm() };
+  const path = settings.localApiStyle === "openai" ? "/v1/models" : "/api/tags";
+
+  showStatus("⏳ Contacting local model server...");
+
+  try {
+    const response = await fetch(getLocalEndpointUrl(settings, path), {
+      headers: getLocalRequestHeaders(settings)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const models = settings.localApiStyle === "openai"
+      ? (data.data || []).map(m => m.id)
+      : (data.models || []).map(m => m.name);
+
+    let message = `✅ Connected. ${models.length} model(s) available.`;
+    if (models.length > 0 && !models.some(name => name === settings.localModel || name.startsWith(`${settings.localModel}:`))) {
+      message += `\n⚠️ Model "${settings.localModel}" was not found. Available: ${models.join(", ")}`;
+    }
+    showStatus(message, "success");
+  } catch (error) {
+    console.error("❌ Connection test failed:", error);
+    showStatus(`❌ Connection failed: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Lists the extension's keyboard commands with their current key chords
+ */
+async function renderShortcuts() {
+  const list = document.getElementById("shortcutList");
+  const commands = await chrome.commands.getAll();
+  list.replaceChildren();
+
+  for (const command of commands) {
+    if (!command.description) continue;
+    const item = document.createElement("li");
+    const keys = document.createElement("kbd");
+    keys.textContent = command.shortcut || "Not set";
+    item.append(`${command.description}: `, keys);
+    list.appendChild(item);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const settings = await loadSettings();
+  renderScopeOptions(settings.siteOverrides);
+  fillForm(settings);
+
+  document.getElementById("scope").addEventListener("change", loadScope);
+
+  document.getElementById("addSite").addEventListener("click", async () => {
+    const site = normalizeSite(document.getElementById("newSite").value);
+    if (!site) {
+      showStatus("❌ Enter a domain such as example.com.", "error");
+      return;
+    }
+
+    const { siteOverrides } = await loadSettings();
+    if (!siteOverrides[site]) {
+      await saveSettings({ siteOverrides: { ...siteOverrides, [site]: {} } });
+    }
+
+    renderScopeOptions({ ...siteOverrides, [site]: {} }, site);
+    document.getElementById("newSite").value = "";
+    await loadScope();
+    showStatus(`Editing settings for ${site}. Changes apply only to this site.`);
+  });
+
+  document.getElementById("removeSite").addEventListener("click", async () => {
+    const site = getCurrentScope();
+    if (!site) return;
+
+    const { siteOverrides } = await loadSettings();
+    delete siteOverrides[site];
+    await saveSettings({ siteOverrides });
+
+    renderScopeOptions(siteOverrides);
+    await loadScope();
+    showStatus(`✅ Removed overrides for ${site}.`, "success");
+  });
+
+  document.getElementById("settingsForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      showStatus(await saveForm(), "success");
+    } catch (error) {
+      console.error("❌ Save failed:", error);
+      showStatus(`❌ Save failed: ${error.message}`, "error");
+    }
+  });
+
+  document.getElementById("resetDefaults").addEventListener("click", async () => {
+    const site = getCurrentScope();
+    const defaults = Object.fromEntries(getFormKeys().map(key => [key, DEFAULT_SETTINGS[key]]));
+
+    if (site) {
+      const { siteOverrides } = await loadSettings();
+      await saveSettings({ siteOverrides: { ...siteOverrides, [site]: {} } });
+    } else {
+      await saveSettings(defaults);
+    }
+
+    await loadScope();
+    showStatus(site ? `✅ ${site} now uses the global settings.` : "✅ Settings reset to defaults.", "success");
+  });
+
+  document.getElementById("testConnection").addEventListener("click", testConnection);
+
+  document.getElementById("editShortcuts").addEventListener("click", () => {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+
+  renderShortcuts();
+});
+
+console.log("✅ Options script loaded successfully");
@@ -1,7 +1,7 @@
 // 添加全局错误捕获
 window.addEventListener('error', (e) => {
   console.error('Global error:', e.error);
-  showStatus(`❌ Error: ${e.error?.message || 'Unknown error'}`, "error");
+  showStatus(`❌ ${t("popupError", e.error?.message || t("unknownError"))}`, "error");
 });
 
 console.log("🧠 Cognitive Layer popup script loading...");
@@ -33,11 +33,21 @@ function showStatus(message, type = "info") {
  */
 function getActionLabel(action) {
   const labels = {
-    "generateOverview": "Generating overview",
-    "generateCues": "Generating cues",
-    "fixLabels": "Fixing labels"
+    "generateOverview": "popupActionGenerateOverview",
+    "generateCues": "popupActionGenerateCues",
+    "fixLabels": "popupActionFixLabels",
+    "describeImages": "popupActionDescribeImages",
+    "simplifyText": "popupActionSimplifyText",
+    "fixForms": "popupActionFixForms",
+    "summarizeTables": "popupActionSummarizeTables",
+    "showOutline": "popupActionShowOutline",
+    "auditPage": "popupActionAuditPage",
+    "revert": "popupActionRevert",
+    "pauseJobs": "popupActionPauseJobs",
+    "resumeJobs": "popupActionResumeJobs",
+    "cancelJobs": "popupActionCancelJobs"
   };
-  return labels[action] || "Processing";
+  return t(labels[action] || "popupActionDefault");
 }
 
 /**
@@ -52,10 +62,31 @@ async function isContentScriptLoaded(tabId) {
   }
 }
 
+/**
+ * Injects the content scripts into a tab unless they are already loaded
+ */
+async function ensureContentScript(tabId) {
+  const isLoaded = await isContentScriptLoaded(tabId);
+  
+  if (isLoaded) {
+    console.log("✅ Content script already loaded");
+    return;
+  }
+  
+  console.log("📥 Content script not found, injecting...");
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: ['settings.js', 'content.js']
+  });
+  console.log("✅ Content script injected");
+  // Wait for script to initialize
+  await new Promise(resolve => setTimeout(resolve, 500));
+}
+
 /**
  * Sends a message to the active tab's content script
  */
-async function sendMessageToTab(action) {
+async function sendMessageToTab(action, payload = {}) {
   console.log(`📤 Attempting to send action: ${action}`);
   
   try {
@@ -68,7 +99,7 @@ async function sendMessageToTab(action) {
     console.log("Tabs found:", tabs.length);
     
     if (!tabs || tabs.length === 0) {
-      showStatus("❌ No active tab found", "error");
+      showStatus(`❌ ${t("popupNoActiveTab")}`, "error");
       return;
     }
     
@@ -76,7 +107,7 @@ async function sendMessageToTab(action) {
     console.log(`🔍 Active tab: ${tab.id} - ${tab.url}`);
     
     if (!tab.id) {
-      showStatus("❌ Invalid tab ID", "error");
+      showStatus(`❌ ${t("popupInvalidTab")}`, "error");
       return;
     }
     
@@ -84,42 +115,28 @@ async function sendMessageToTab(action) {
     if (tab.url.startsWith('chrome://') || 
         tab.url.startsWith('chrome-extension://') ||
         tab.url.startsWith('edge://')) {
-      showStatus("❌ Cannot run on browser internal pages", "error");
+      showStatus(`❌ ${t("popupRestrictedPage")}`, "error");
       return;
     }
     
     // Show loading status
     showStatus(`⏳ ${getActionLabel(action)}...`, "loading");
     
-    // Check if content script is already loaded
-    const isLoaded = await isContentScriptLoaded(tab.id);
-    
-    if (!isLoaded) {
-      // Only inject if not already loaded
-      try {
-        console.log("📥 Content script not found, injecting...");
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content.js']
-        });
-        console.log("✅ Content script injected");
-        // Wait for script to initialize
-        await new Promise(resolve => setTimeout(resolve, 500));
-      } catch (injectError) {
-        console.error("❌ Script injection failed:", injectError);
-        showStatus(`❌ Failed to inject script: ${injectError.message}`, "error");
-        return;
-      }
-    } else {
-      console.log("✅ Content script already loaded");
+    // Only inject if not already loaded
+    try {
+      await ensureContentScript(tab.id);
+    } catch (injectError) {
+      console.error("❌ Script injection failed:", injectError);
+      showStatus(`❌ ${t("popupInjectFailed", injectError.message)}`, "error");
+      return;
     }
     
     // Send message to content script
     console.log(`📨 Sending message to tab ${tab.id}...`);
-    const response = await chrome.tabs.sendMessage(tab.id, { action });
+    const response = await chrome.tabs.sendMessage(tab.id, { action, ...payload });
     
     console.log("✅ Response received:", response);
-    showStatus("✅ Processing... Check page for results", "success");
+    showStatus(`✅ ${t("popupProcessing")}`, "success");
     
     // Check if user wants to keep popup open
     const keepOpen = document.getElementById("keepOpen")?.checked;
@@ -133,15 +150,114 @@ async function sendMessageToTab(action) {
     
   } catch (error) {
     console.error("❌ Send message error:", error);
-    showStatus(`❌ Error: ${error.message}`, "error");
+    showStatus(`❌ ${t("popupError", error.message)}`, "error");
+  }
+}
+
+/**
+ * Asks the content script a question about the page and shows the answer.
+ * The answer is read from the popup, so the page doesn't also announce it.
+ */
+async function askQuestion(question) {
+  const answerEl = document.getElementById("answer");
+  const answerText = document.getElementById("answerText");
+  const sourceBtn = document.getElementById("goToSource");
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || tab.url.startsWith('edge://')) {
+      showStatus(`❌ ${t("popupRestrictedPage")}`, "error");
+      return;
+    }
+    
+    answerEl.hidden = false;
+    answerText.textContent = `⏳ ${t("popupSearching")}`;
+    sourceBtn.hidden = true;
+    
+    await ensureContentScript(tab.id);
+    const response = await chrome.tabs.sendMessage(tab.id, { action: "askPage", question, speak: false });
+    if (response?.status !== "ok") {
+      throw new Error(response?.error || t("popupNoAnswer"));
+    }
+    
+    answerText.textContent = response.answer;
+    if (response.source) {
+      document.getElementById("goToSourceLabel").textContent = t("popupGoToSourceNamed", response.source);
+      sourceBtn.hidden = false;
+    }
+  } catch (error) {
+    console.error("❌ Ask error:", error);
+    answerText.textContent = `❌ ${t("popupAskFailed", error.message)}`;
+  }
+}
+
+/**
+ * Formats one provider's availability for the status message
+ */
+function describeAvailability(value) {
+  const labels = {
+    "readily": `✅ ${t("popupAvailabilityReady")}`,
+    "after-download": `⏳ ${t("popupAvailabilityDownload")}`,
+    "no": `❌ ${t("popupAvailabilityNo")}`
+  };
+  return labels[value] || value || "N/A";
+}
+
+/**
+ * Shows running jobs reported by the content script
+ */
+function renderJobStatus(jobs) {
+  const panel = document.getElementById("jobs");
+  const list = document.getElementById("jobList");
+  const pauseBtn = document.getElementById("pauseJobs");
+  if (!panel || !list || !pauseBtn) return;
+  
+  if (!jobs || jobs.runs.length === 0) {
+    panel.hidden = true;
+    return;
+  }
+  
+  list.replaceChildren(...jobs.runs.map(run => {
+    const item = document.createElement("li");
+    const failed = run.failed > 0 ? t("popupJobFailed", run.failed) : "";
+    const paused = jobs.paused ? t("popupJobPaused") : "";
+    item.textContent = `${t("popupJobProgress", [run.label, run.done + run.failed, run.total])}${failed}${paused}`;
+    return item;
+  }));
+  
+  pauseBtn.dataset.action = jobs.paused ? "resumeJobs" : "pauseJobs";
+  pauseBtn.setAttribute("aria-label", t(jobs.paused ? "popupResumeHint" : "popupPauseHint"));
+  pauseBtn.querySelector(".icon").textContent = jobs.paused ? "▶️" : "⏸️";
+  pauseBtn.querySelector("span:last-child").textContent = t(jobs.paused ? "popupResume" : "popupPause");
+  panel.hidden = false;
+}
+
+/**
+ * Asks the active tab's content script for its job state, if it is loaded
+ */
+async function refreshJobStatus() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return;
+    const response = await chrome.tabs.sendMessage(tab.id, { action: "getJobStatus" });
+    renderJobStatus(response?.jobs);
+  } catch (error) {
+    // Content script not loaded on this tab; nothing is running
   }
 }
 
+// Live job updates pushed by the content script
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === "jobStatus") {
+    renderJobStatus(message.status);
+  }
+});
+
 /**
- * Check if Chrome Built-in AI is available (detailed)
+ * Check which AI backends are available (detailed)
  */
 async function checkAIStatus() {
-  showStatus("⏳ Checking AI status...", "loading");
+  showStatus(`⏳ ${t("popupCheckingAI")}`, "loading");
   console.log("🔍 Starting AI status check...");
   
   try {
@@ -151,90 +267,49 @@ async function checkAIStatus() {
     });
     
     if (!tab || !tab.id) {
-      showStatus("❌ No active tab", "error");
+      showStatus(`❌ ${t("popupNoActiveTab")}`, "error");
       return;
     }
     
     console.log(`Checking AI on tab ${tab.id}...`);
     
-    // Inject detailed check script
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: async () => {
-        const status = {
-          aiExists: typeof window.ai !== 'undefined',
-          summarizerExists: typeof window.ai?.summarizer !== 'undefined',
-          languageModelExists: typeof window.ai?.languageModel !== 'undefined',
-          summarizerAvailability: null,
-          languageModelAvailability: null
-        };
-        
-        try {
-          if (window.ai?.summarizer) {
-            status.summarizerAvailability = await window.ai.summarizer.availability();
-          }
-        } catch (e) {
-          status.summarizerError = e.message;
-        }
-        
-        try {
-          if (window.ai?.languageModel) {
-            status.languageModelAvailability = await window.ai.languageModel.availability();
-          }
-        } catch (e) {
-          status.languageModelError = e.message;
-        }
-        
-        return status;
-      }
-    });
+    await ensureContentScript(tab.id);
+    const response = await chrome.tabs.sendMessage(tab.id, { action: "getAIStatus" });
     
-    if (!results || !results[0]) {
-      showStatus("❌ Failed to check AI", "error");
+    if (!response || response.status !== "ok") {
+      showStatus(`❌ ${t("popupCheckAIFailed")}${response?.error ? `:\n${response.error}` : ""}`, "error");
       return;
     }
     
-    const status = results[0].result;
+    const status = response.ai;
     console.log("🔍 AI Status:", status);
     
     // Build status message
-    let message = "";
+    let message = `📊 ${t("popupAIStatus", status.selected)}\n`;
+    
+    for (const provider of status.providers) {
+      message += `\n${provider.name}\n`;
+      message += `  ${t("popupSummarizer")}: ${describeAvailability(provider.summarizer)}\n`;
+      message += `  ${t("popupLanguageModel")}: ${describeAvailability(provider.languageModel)}\n`;
+      message += `  ${t("popupImageInput")}: ${describeAvailability(provider.image)}\n`;
+    }
+    
+    const usable = status.providers.filter(p => 
+      (status.selected === "auto" || status.selected === p.id) &&
+      p.summarizer !== "no" && p.languageModel !== "no"
+    );
     
-    if (!status.aiExists) {
-      message = "❌ window.ai not found\n\nSteps:\n1. Open chrome://flags\n2. Enable these flags:\n   • #prompt-api-for-gemini-nano\n   • #summarization-api-for-gemini-nano\n   • #optimization-guide-on-device-model\n3. Relaunch Chrome";
-    } else if (!status.summarizerExists && !status.languageModelExists) {
-      message = "❌ AI APIs not available\n\nwindow.ai exists but APIs missing.\nRelaunch Chrome after enabling flags.";
+    if (usable.length > 0) {
+      message += `\n✅ ${t("popupUsingBackend", usable[0].name)}`;
     } else {
-      message = "📊 AI Status:\n\n";
-      message += `Summarizer: ${status.summarizerAvailability || "N/A"}\n`;
-      message += `Language Model: ${status.languageModelAvailability || "N/A"}\n`;
-      
-      const summOk = status.summarizerAvailability === "readily";
-      const langOk = status.languageModelAvailability === "readily";
-      
-      if (summOk && langOk) {
-        message = "✅ All AI features ready!\n\nYou can now use all functions.";
-      } else if (status.summarizerAvailability === "after-download" || 
-                 status.languageModelAvailability === "after-download") {
-        message += "\n⏳ Model needs download.\nClick a feature button to start.";
-      } else if (status.summarizerAvailability === "no" || 
-                 status.languageModelAvailability === "no") {
-        message += "\n❌ Model unavailable.\nVisit chrome://components\nand download 'Optimization Guide'";
-      }
-      
-      if (status.summarizerError) {
-        message += `\n\n⚠️ Summarizer error: ${status.summarizerError}`;
-      }
-      if (status.languageModelError) {
-        message += `\n\n⚠️ Language Model error: ${status.languageModelError}`;
-      }
+      message += `\n❌ ${t("popupNoBackend")}`;
     }
     
-    showStatus(message, status.aiExists ? "info" : "error");
+    showStatus(message, usable.length > 0 ? "info" : "error");
     
   } catch (error) {
     console.error("AI status check error:", error);
-    showStatus(`❌ Check failed:\n${error.message}`, "error");
+    showStatus(`❌ ${t("popupCheckFailed", error.message)}`, "error");
   }
 }
 
@@ -245,6 +320,8 @@ document.addEventListener("DOMContentLoaded", () => {
   console.log("📋 Popup DOM loaded, initializing...");
   
   try {
+    localizePage();
+    
     // Test if elements exist
     const overviewBtn = document.getElementById("overview");
     const cuesBtn = document.getElementById("cues");
@@ -284,6 +361,53 @@ document.addEventListener("DOMContentLoaded", () => {
       });
     }
     
+    // Fix form fields button
+    document.getElementById("fixForms")?.addEventListener("click", () => {
+      console.log("🔘 Fix forms button clicked");
+      sendMessageToTab("fixForms");
+    });
+    
+    // Summarize tables button
+    document.getElementById("summarizeTables")?.addEventListener("click", () => {
+      console.log("🔘 Summarize tables button clicked");
+      sendMessageToTab("summarizeTables");
+    });
+    
+    // Describe images button
+    document.getElementById("describeImages")?.addEventListener("click", () => {
+      console.log("🔘 Describe images button clicked");
+      sendMessageToTab("describeImages");
+    });
+    
+    // Page outline button
+    document.getElementById("showOutline")?.addEventListener("click", () => {
+      console.log("🔘 Outline button clicked");
+      sendMessageToTab("showOutline");
+    });
+    
+    // Simplify button, defaulting to the reading level chosen in settings
+    const readingLevel = document.getElementById("readingLevel");
+    if (readingLevel) {
+      loadSettings().then(settings => { readingLevel.value = settings.simplifyReadingLevel; });
+      document.getElementById("simplify")?.addEventListener("click", () => {
+        console.log("🔘 Simplify button clicked");
+        sendMessageToTab("simplifyText", { level: readingLevel.value });
+      });
+    }
+    
+    // Ask this page
+    document.getElementById("askForm")?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const question = document.getElementById("question").value.trim();
+      if (question) askQuestion(question);
+    });
+    document.getElementById("goToSource")?.addEventListener("click", async () => {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      await chrome.tabs.sendMessage(tab.id, { action: "focusAnswerSource" });
+      // Closing hands focus back to the page
+      window.close();
+    });
+    
     // Check AI status button
     if (checkAIBtn) {
       checkAIBtn.addEventListener("click", async () => {
@@ -292,8 +416,76 @@ document.addEventListener("DOMContentLoaded", () => {
       });
     }
     
+    // Job controls
+    document.getElementById("pauseJobs")?.addEventListener("click", (e) => {
+      sendMessageToTab(e.currentTarget.dataset.action || "pauseJobs");
+    });
+    document.getElementById("cancelJobs")?.addEventListener("click", () => {
+      sendMessageToTab("cancelJobs");
+    });
+    refreshJobStatus();
+    
+    // Audit button, defaulting to the format chosen in settings
+    const auditFormat = document.getElementById("auditFormat");
+    if (auditFormat) {
+      loadSettings().then(settings => { auditFormat.value = settings.auditExportFormat; });
+      document.getElementById("audit")?.addEventListener("click", () => {
+        console.log("🔘 Audit button clicked");
+        sendMessageToTab("auditPage", { format: auditFormat.value });
+      });
+    }
+    
+    // Revert button
+    const revertBtn = document.getElementById("revert");
+    if (revertBtn) {
+      revertBtn.addEventListener("click", () => {
+        console.log("🔘 Revert button clicked");
+        const feature = document.getElementById("revertScope")?.value || undefined;
+        sendMessageToTab("revert", { feature });
+      });
+    }
+    
+    // Clear cache button
+    const clearCacheBtn = document.getElementById("clearCache");
+    if (clearCacheBtn) {
+      clearCacheBtn.addEventListener("click", async () => {
+        console.log("🔘 Clear cache button clicked");
+        try {
+          const count = await clearSummaryCache();
+          showStatus(`✅ ${count === 1 ? t("popupCacheClearedOne") : t("popupCacheCleared", count)}`, "success");
+        } catch (error) {
+          console.error("❌ Clear cache error:", error);
+          showStatus(`❌ ${t("popupCacheClearFailed", error.message)}`, "error");
+        }
+      });
+    }
+    
+    // Side panel button. The window id is looked up in advance because
+    // sidePanel.open() must be called directly from the click.
+    const openSidePanelBtn = document.getElementById("openSidePanel");
+    if (openSidePanelBtn) {
+      let windowId = null;
+      chrome.windows.getCurrent().then(win => { windowId = win.id; });
+      openSidePanelBtn.addEventListener("click", () => {
+        console.log("🔘 Side panel button clicked");
+        if (windowId === null) return;
+        chrome.sidePanel.open({ windowId })
+          .then(() => window.close())
+          .catch(error => showStatus(`❌ ${t("popupSidePanelFailed", error.message)}`, "error"));
+      });
+    }
+    
+    // Settings button
+    const openOptionsBtn = document.getElementById("openOptions");
+    if (openOptionsBtn) {
+      openOptionsBtn.addEventListener("click", () => {
+        console.log("🔘 Settings button clicked");
+        chrome.runtime.openOptionsPage();
+      });
+    }
+    
     // Show initial message
-    showStatus("👋 Extension loaded successfully!\nClick 'Check AI Status' to begin.", "success");
+    showStatus(`👋 ${t("popupLoaded")}`, "success");
     
     console.log("✅ Popup initialized successfully");
     
@@ -305,6 +497,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
 // Keyboard shortcuts
 document.addEventListener("keydown", (e) => {
+  // Digits typed into the question field are text, not shortcuts
+  if (e.target.matches("input, select, textarea")) return;
+  
   if (e.key === "1") {
     document.getElementById("overview")?.click();
   } else if (e.key === "2") {
@@ -0,0 +1,268 @@
+// ============================================================
+// SHARED SETTINGS
+// Loaded by the content script, popup, options page, side panel and background worker
+// ============================================================
+
+/**
+ * Default values for every user-configurable setting
+ */
+const DEFAULT_SETTINGS = {
+  // AI backend: "auto" picks the first available provider
+  aiProvider: "auto",
+  localEndpoint: "http://localhost:11434",
+  localApiStyle: "ollama",
+  localModel: "llama3.2",
+  localApiKey: "",
+  // Whether the local model accepts images (e.g. llava, llama3.2-vision)
+  localVisionEnabled: false,
+
+  // Summaries
+  summarizerType: "tldr",
+  summaryLength: "short",
+  // Upper bound on text read from a page or section; longer text is
+  // summarized in chunks of chunkSize characters, then combined
+  maxContentLength: 30000,
+  chunkSize: 4000,
+  // Show and read summaries sentence by sentence as they are generated
+  streamSummaries: true,
+  // Language of generated summaries and labels: "page" follows the page's
+  // language, otherwise a language code such as "en" or "es"
+  outputLanguage: "page",
+
+  // Label fixing
+  ambiguousTerms: [
+    "click here", "here", "learn more", "read more",
+    "more", "continue", "next", "go", "view", "see"
+  ],
+  // "rules-first", "model-first" or "rules-only"; rules use titles,
+  // headings and link destinations and need no AI model
+  labelStrategy: "rules-first",
+  // Let rules read the <title> of same-site link destinations. Off by
+  // default: each lookup is a request to the site without any user action.
+  labelFetchDestinations: false,
+  // Show generated labels for approval before any are applied
+  labelReviewMode: false,
+  // Labels scoring below this (0-1) after validation are not applied
+  labelMinConfidence: 0.5,
+  // Label ambiguous links and buttons one at a time as they get focus
+  focusLabelsEnabled: false,
+
+  // Form assistant: keep watching for validation errors after labelling
+  explainFormErrors: true,
+
+  // Page outline: also add missing landmark roles and a skip link
+  outlineAddLandmarks: false,
+
+  // Simplify: "easy-read" (about grade 3), "simple" (grade 6) or "plain" (grade 9)
+  simplifyReadingLevel: "simple",
+
+  // Audit report download format: "html", "csv" or "json"
+  auditExportFormat: "html",
+
+  // Model calls running in parallel for section summaries and labels
+  maxConcurrentJobs: 2,
+
+  // Announcements: "assertive" or "polite"
+  announcementPoliteness: "assertive",
+
+  // Summaries and notes added to pages
+  // Theme: "auto" (follows prefers-color-scheme), "light", "dark" or "high-contrast"
+  uiTheme: "auto",
+  uiFontSize: 14,
+  // "top" of the page, "after-heading" (the page's main heading) or
+  // "collapsed" disclosures that are opened on demand
+  summaryPlacement: "top",
+
+  // Automatic run on page load
+  autoRunEnabled: false,
+  autoRunOverview: true,
+  autoRunCues: false,
+  autoRunLabels: false,
+  autoRunImages: false,
+  autoRunForms: false,
+  autoRunTables: false,
+  // Domains; an empty allow list means every site not denied
+  autoRunAllowlist: [],
+  autoRunDenylist: [],
+
+  // Live mode: process content inserted after load (SPAs, infinite scroll)
+  liveModeEnabled: false,
+  liveModeLabels: true,
+  liveModeCues: false,
+  liveModeDebounceMs: 1500,
+
+  // Cache of summaries and labels in chrome.storage.local
+  cacheEnabled: true,
+  cacheMaxEntries: 500,
+  cacheTtlHours: 168,
+
+  // Partial settings keyed by hostname, e.g. { "example.com": { summaryLength: "long" } }
+  siteOverrides: {}
+};
+
+// Secrets kept in chrome.storage.local so they never sync to other devices
+const LOCAL_ONLY_SETTINGS = ["localApiKey"];
+
+// Local server connection, the same on every site: the background worker
+// builds model requests from these, so they can't be overridden per site
+const GLOBAL_ONLY_SETTINGS = ["localEndpoint", "localApiStyle", "localApiKey"];
+
+/**
+ * Returns the override keys matching a hostname, most general domain first
+ * so that "docs.example.com" wins over "example.com"
+ */
+function getMatchingSiteKeys(siteOverrides, hostname) {
+  if (!hostname) return [];
+  const host = hostname.toLowerCase().replace(/^www\./, "");
+  const parts = host.split(".");
+  const keys = [];
+
+  for (let i = Math.max(parts.length - 2, 0); i >= 0; i--) {
+    const candidate = parts.slice(i).join(".");
+    if (siteOverrides[candidate]) keys.push(candidate);
+  }
+
+  return keys;
+}
+
+/**
+ * Checks whether a hostname is one of the domains in a list or a subdomain of one
+ */
+function matchesDomainList(hostname, domains) {
+  const host = (hostname || "").toLowerCase();
+  return domains.some(domain => {
+    const d = domain.toLowerCase().replace(/^\*\./, "").replace(/^www\./, "");
+    return d && (host === d || host.endsWith(`.${d}`));
+  });
+}
+
+/**
+ * Splits settings into those stored in chrome.storage.local and the rest
+ */
+function splitLocalOnlySettings(settings) {
+  const local = {};
+  const synced = {};
+  for (const [key, value] of Object.entries(settings)) {
+    (LOCAL_ONLY_SETTINGS.includes(key) ? local : synced)[key] = value;
+  }
+  return { local, synced };
+}
+
+/**
+ * Reads settings from chrome.storage.sync and local-only ones from
+ * chrome.storage.local, filling in defaults. When a hostname is given,
+ * its per-site overrides are applied.
+ */
+async function loadSettings(hostname) {
+  const defaults = splitLocalOnlySettings(DEFAULT_SETTINGS);
+  const stored = await chrome.storage.sync.get(defaults.synced);
+  const local = await chrome.storage.local.get(defaults.local);
+  const settings = { ...DEFAULT_SETTINGS, ...stored, ...local };
+
+  for (const key of getMatchingSiteKeys(settings.siteOverrides, hostname)) {
+    for (const [name, value] of Object.entries(settings.siteOverrides[key])) {
+      if (!GLOBAL_ONLY_SETTINGS.includes(name)) settings[name] = value;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Persists a partial settings object, local-only settings to
+ * chrome.storage.local and the rest to chrome.storage.sync
+ */
+async function saveSettings(changes) {
+  const { local, synced } = splitLocalOnlySettings(changes);
+  if (Object.keys(local).length > 0) await chrome.storage.local.set(local);
+  if (Object.keys(synced).length > 0) await chrome.storage.sync.set(synced);
+}
+
+/**
+ * Moves local-only settings saved to chrome.storage.sync by older versions
+ * into chrome.storage.local
+ */
+async function migrateLocalOnlySettings() {
+  const stored = await chrome.storage.sync.get(LOCAL_ONLY_SETTINGS);
+  if (Object.keys(stored).length === 0) return;
+
+  const local = await chrome.storage.local.get(LOCAL_ONLY_SETTINGS);
+  await chrome.storage.local.set({ ...stored, ...local });
+  await chrome.storage.sync.remove(LOCAL_ONLY_SETTINGS);
+}
+
+/**
+ * Builds the URL for a path on the configured local model server
+ */
+function getLocalEndpointUrl(settings, path) {
+  return settings.localEndpoint.replace(/\/+$/, "") + path;
+}
+
+/**
+ * Builds request headers for the configured local model server
+ */
+function getLocalRequestHeaders(settings) {
+  const headers = { "Content-Type": "application/json" };
+  if (settings.localApiKey) {
+    headers["Authorization"] = `Bearer ${settings.localApiKey}`;
+  }
+  return headers;
+}
+
+// ============================================================
+// LOCALIZED STRINGS
+// ============================================================
+
+/**
+ * Returns a message from _locales in the browser's language. Substitutions
+ * fill the message's placeholders in order. Falls back to the key, so a
+ * missing message shows up instead of being read as silence.
+ */
+function t(key, substitutions = []) {
+  const values = [].concat(substitutions).map(String);
+  return chrome.i18n.getMessage(key, values) || key;
+}
+
+/**
+ * Fills an extension page from _locales: data-i18n sets an element's text,
+ * data-i18n-aria-label, data-i18n-placeholder and data-i18n-title set attributes
+ */
+function localizePage(root = document) {
+  document.documentElement.lang = t("locale");
+
+  for (const element of root.querySelectorAll("[data-i18n]")) {
+    element.textContent = t(element.dataset.i18n);
+  }
+
+  for (const attribute of ["aria-label", "placeholder", "title"]) {
+    for (const element of root.querySelectorAll(`[data-i18n-${attribute}]`)) {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+    }
+  }
+}
+
+// ============================================================
+// SUMMARY CACHE STORAGE
+// ============================================================
+
+// Key prefix for cached summaries and labels in chrome.storage.local
+const SUMMARY_CACHE_PREFIX = "cache:";
+
+/**
+ * Lists the keys of all cached summaries and labels
+ */
+async function getSummaryCacheKeys() {
+  const all = await chrome.storage.local.get(null);
+  return Object.keys(all).filter(key => key.startsWith(SUMMARY_CACHE_PREFIX));
+}
+
+/**
+ * Removes every cached summary and label, returning how many were removed
+ */
+async function clearSummaryCache() {
+  const keys = await getSummaryCacheKeys();
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+  return keys.length;
+}
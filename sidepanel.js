@@ -0,0 +1,266 @@
+console.log("🧠 Cognitive Layer side panel loading...");
+
+// Tab whose history is shown; follows the active tab
+let currentTabId = null;
+let currentHistory = null;
+
+/**
+ * Storage key for a tab's history, as written by the background worker
+ */
+function getHistoryKey(tabId) {
+  return `history:${tabId}`;
+}
+
+/**
+ * Speaks text from the side panel's own live region
+ */
+function speak(text) {
+  const speaker = document.getElementById("speaker");
+  speaker.textContent = "";
+  setTimeout(() => {
+    speaker.textContent = text;
+  }, 100);
+}
+
+/**
+ * Injects the content scripts into a tab unless they are already loaded
+ */
+async function ensureContentScript(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: "ping" });
+    if (response?.status === "pong") return;
+  } catch (error) {
+    // Not loaded yet
+  }
+
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: ["settings.js", "content.js"]
+  });
+  // Wait for script to initialize
+  await new Promise(resolve => setTimeout(resolve, 500));
+}
+
+/**
+ * Runs a content script action on the current tab
+ */
+async function runAction(action) {
+  try {
+    const tab = await chrome.tabs.get(currentTabId);
+    if (!tab.url || /^(chrome|chrome-extension|edge):/.test(tab.url)) {
+      speak(t("popupRestrictedPage"));
+      return;
+    }
+    await ensureContentScript(tab.id);
+    await chrome.tabs.sendMessage(tab.id, { action });
+  } catch (error) {
+    console.error(`❌ ${action} failed:`, error);
+    speak(t("sidePanelRunFailed", error.message));
+  }
+}
+
+/**
+ * Formats a timestamp as a local time of day
+ */
+function formatTime(time) {
+  return new Date(time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+}
+
+/**
+ * Creates an element that says a list is empty
+ */
+function createEmptyNote(text, tagName = "p") {
+  const note = document.createElement(tagName);
+  note.className = "empty";
+  note.textContent = text;
+  return note;
+}
+
+/**
+ * Fills the page dropdown, newest page first, keeping the selection when possible
+ */
+function renderPageSelect(pages) {
+  const select = document.getElementById("pageSelect");
+  const selected = select.value;
+
+  select.replaceChildren(...pages.map((page, index) =>
+    new Option(`${page.title || page.url} (${formatTime(page.time)})`, String(index))
+  ).reverse());
+
+  if (pages.length === 0) {
+    select.add(new Option(t("sidePanelNoResults"), ""));
+  } else if (selected && pages[Number(selected)]) {
+    select.value = selected;
+  }
+  select.disabled = pages.length === 0;
+}
+
+/**
+ * Shows the overview, section summaries and fixed labels of one page
+ */
+function renderPageResults(page) {
+  const overview = document.getElementById("overview");
+  overview.textContent = page?.overview || t("sidePanelNoOverview");
+  overview.className = page?.overview ? "" : "empty";
+
+  const summaries = document.getElementById("summaries");
+  if (!page || page.summaries.length === 0) {
+    summaries.replaceChildren(createEmptyNote(t("sidePanelNoSummaries"), "li"));
+  } else {
+    summaries.replaceChildren(...page.summaries.map(item => {
+      const li = document.createElement("li");
+      const heading = document.createElement("h3");
+      heading.textContent = item.heading;
+      const text = document.createElement("p");
+      text.textContent = item.text;
+      li.append(heading, text);
+      return li;
+    }));
+  }
+
+  const labels = document.querySelector("#labels tbody");
+  if (!page || page.labels.length === 0) {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = 3;
+    cell.append(createEmptyNote(t("sidePanelNoLabels")));
+    row.append(cell);
+    labels.replaceChildren(row);
+  } else {
+    labels.replaceChildren(...page.labels.map(item => {
+      const row = document.createElement("tr");
+      // kind is a message key; entries from older versions hold the English name
+      for (const value of [t(item.kind), item.before || t("sidePanelEmptyValue"), item.after]) {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.append(cell);
+      }
+      return row;
+    }));
+  }
+}
+
+/**
+ * Key identifying an announcement in the list; entries recorded before ids
+ * were added fall back to their time
+ */
+function getAnnouncementKey(item) {
+  return `announcement:${item.id ?? item.time}`;
+}
+
+/**
+ * Creates the list item for one announcement, with a button to hear it again
+ */
+function createAnnouncementItem(item) {
+  const key = getAnnouncementKey(item);
+  const li = document.createElement("li");
+  li.dataset.announcement = key;
+  const text = document.createElement("p");
+  const time = document.createElement("time");
+  time.dateTime = new Date(item.time).toISOString();
+  time.textContent = formatTime(item.time);
+  text.append(time, item.text);
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "secondary";
+  button.textContent = t("sidePanelReadAgain");
+  button.dataset.key = key;
+  button.setAttribute("aria-label", t("sidePanelReadAgainLabel", item.text.substring(0, 80)));
+  button.addEventListener("click", () => speak(item.text));
+
+  li.append(text, button);
+  return li;
+}
+
+/**
+ * Lists announcements newest first. Only items that were added or dropped
+ * change, so screen reader users keep their place as new ones arrive.
+ */
+function renderAnnouncements(announcements) {
+  const list = document.getElementById("announcements");
+  if (announcements.length === 0) {
+    list.replaceChildren(createEmptyNote(t("sidePanelNoAnnouncements"), "li"));
+    return;
+  }
+
+  const keys = new Set(announcements.map(getAnnouncementKey));
+  for (const li of Array.from(list.children)) {
+    if (!keys.has(li.dataset.announcement)) li.remove();
+  }
+
+  const shown = new Set(Array.from(list.children, li => li.dataset.announcement));
+  const added = announcements.filter(item => !shown.has(getAnnouncementKey(item)));
+  list.prepend(...added.map(createAnnouncementItem).reverse());
+}
+
+/**
+ * Redraws everything for the current tab, keeping keyboard focus in place
+ */
+function render() {
+  const focusedKey = document.activeElement?.dataset?.key;
+  const history = currentHistory || { pages: [], announcements: [] };
+
+  renderPageSelect(history.pages);
+  const selected = document.getElementById("pageSelect").value;
+  renderPageResults(history.pages[Number(selected)] || null);
+  renderAnnouncements(history.announcements);
+
+  if (focusedKey) {
+    document.querySelector(`[data-key="${CSS.escape(focusedKey)}"]`)?.focus();
+  }
+}
+
+/**
+ * Loads the history of the active tab in this window
+ */
+async function loadActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+
+  if (tab.id !== currentTabId) {
+    currentTabId = tab.id;
+    document.getElementById("pageSelect").value = "";
+    // Announcement ids are per tab
+    document.getElementById("announcements").replaceChildren();
+  }
+  document.getElementById("pageTitle").textContent = tab.title || tab.url || "";
+
+  const key = getHistoryKey(tab.id);
+  const { [key]: history } = await chrome.storage.session.get(key);
+  currentHistory = history || null;
+  render();
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const key = getHistoryKey(currentTabId);
+  if (areaName !== "session" || !changes[key]) return;
+  currentHistory = changes[key].newValue || null;
+  render();
+});
+
+chrome.tabs.onActivated.addListener(loadActiveTab);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (tabId === currentTabId && (changeInfo.title || changeInfo.url)) {
+    loadActiveTab();
+  }
+});
+
+document.addEventListener("DOMContentLoaded", () => {
+  localizePage();
+
+  for (const button of document.querySelectorAll("[data-action]")) {
+    button.addEventListener("click", () => runAction(button.dataset.action));
+  }
+
+  document.getElementById("pageSelect").addEventListener("change", render);
+
+  document.getElementById("clearHistory").addEventListener("click", async () => {
+    await chrome.storage.session.remove(getHistoryKey(currentTabId));
+    speak(t("sidePanelHistoryCleared"));
+  });
+
+  loadActiveTab();
+});
+
+console.log("✅ Side panel script loaded successfully");
@@ -0,0 +1,181 @@
+// Loads the content scripts, or the background worker, into a Node VM
+// context with just enough of the browser to run them: a stub chrome API
+// backed by the English messages and a small fake DOM. The page never finishes loading, so initialize() and
+// everything that touches the real page stay unused.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.join(__dirname, "..");
+const MESSAGES = JSON.parse(fs.readFileSync(path.join(ROOT, "_locales/en/messages.json"), "utf8"));
+
+/**
+ * chrome.i18n.getMessage over _locales/en, with $name$ placeholders
+ */
+function getMessage(key, substitutions = []) {
+  const entry = MESSAGES[key];
+  if (!entry) return "";
+  const values = [].concat(substitutions);
+  return entry.message.replace(/\$(\w+)\$/g, (match, name) => {
+    const content = entry.placeholders?.[name.toLowerCase()]?.content || "";
+    const index = Number(content.replace("$", "")) - 1;
+    return values[index] ?? "";
+  });
+}
+
+class FakeText {
+  constructor(data) {
+    this.nodeType = 3;
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+}
+
+class FakeElement {
+  constructor(tagName) {
+    this.nodeType = 1;
+    this.tagName = tagName.toUpperCase();
+    this.childNodes = [];
+    this.attributes = new Map();
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join("");
+  }
+
+  set textContent(value) {
+    this.childNodes = value === "" ? [] : [new FakeText(String(value))];
+  }
+
+  append(...nodes) {
+    for (const node of nodes) {
+      this.childNodes.push(typeof node === "string" ? new FakeText(node) : node);
+    }
+  }
+
+  appendChild(node) {
+    this.append(node);
+    return node;
+  }
+
+  replaceChildren(...nodes) {
+    this.childNodes = [];
+    this.append(...nodes);
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+}
+
+/**
+ * Tag names of every element below root, in document order
+ */
+function getDescendantTags(root) {
+  return root.children.flatMap(child => [child.tagName.toLowerCase(), ...getDescendantTags(child)]);
+}
+
+/**
+ * Runs settings.js and content.js in a fresh context. Returns the context;
+ * functions are its properties, constants are read with evaluate().
+ */
+function loadContentScripts() {
+  const noop = () => {};
+  const listener = { addListener: noop };
+  const quiet = { log: noop, info: noop, warn: noop, error: noop, debug: noop };
+
+  const context = vm.createContext({
+    console: quiet,
+    URL,
+    TextDecoder,
+    TextEncoder,
+    AbortController,
+    DOMException,
+    setTimeout,
+    clearTimeout,
+    Node: { ELEMENT_NODE: 1, TEXT_NODE: 3 },
+    location: { href: "https://example.com/article", origin: "https://example.com", hostname: "example.com" },
+    navigator: { language: "en" },
+    document: {
+      readyState: "loading",
+      title: "Test article",
+      documentElement: { lang: "en" },
+      addEventListener: noop,
+      removeEventListener: noop,
+      createElement: tagName => new FakeElement(tagName)
+    },
+    chrome: {
+      i18n: { getMessage, getUILanguage: () => "en" },
+      runtime: { onMessage: listener, onConnect: listener, sendMessage: () => Promise.resolve() },
+      storage: {
+        onChanged: listener,
+        sync: { get: async () => ({}), set: async () => {} },
+        local: { get: async () => ({}), set: async () => {}, remove: async () => {} }
+      }
+    }
+  });
+  context.window = context;
+
+  for (const file of ["settings.js", "content.js"]) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  }
+  context.evaluate = expression => vm.runInContext(expression, context);
+  return context;
+}
+
+/**
+ * Runs background.js, and the settings.js it imports, in a fresh context
+ * with the given fetch. Returns the context, as loadContentScripts does.
+ */
+function loadBackgroundScript({ fetch }) {
+  const noop = () => {};
+  const listener = { addListener: noop };
+  const quiet = { log: noop, info: noop, warn: noop, error: noop, debug: noop };
+
+  const context = vm.createContext({
+    console: quiet,
+    URL,
+    AbortController,
+    fetch,
+    btoa,
+    chrome: {
+      i18n: { getMessage, getUILanguage: () => "en" },
+      runtime: { onMessage: listener, onConnect: listener, onInstalled: listener },
+      commands: { onCommand: listener },
+      contextMenus: { onClicked: listener },
+      tabs: { onRemoved: listener },
+      storage: { session: { get: async () => ({}), set: async () => {}, remove: async () => {} } }
+    }
+  });
+  context.importScripts = (...files) => {
+    for (const file of files) {
+      vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+    }
+  };
+
+  vm.runInContext(fs.readFileSync(path.join(ROOT, "background.js"), "utf8"), context, { filename: "background.js" });
+  context.evaluate = expression => vm.runInContext(expression, context);
+  return context;
+}
+
+/**
+ * Reads a fixture file from tests/fixtures
+ */
+function readFixture(name) {
+  const text = fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+  return name.endsWith(".json") ? JSON.parse(text) : text;
+}
+
+module.exports = { loadContentScripts, loadBackgroundScript, readFixture, getDescendantTags, getMessage };
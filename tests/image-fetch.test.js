@@ -0,0 +1,91 @@
+// Image fetching in the background worker: which addresses a page can make
+// the extension request, directly or through redirects
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadBackgroundScript } = require("./harness");
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+/**
+ * fetch stub answering from a map of URL to response, recording each
+ * requested URL
+ */
+function createFetch(routes) {
+  const requested = [];
+  const fetch = async (target, options) => {
+    const url = String(target);
+    requested.push(url);
+    assert.equal(options.redirect, "manual");
+    const route = routes[url];
+    if (!route) throw new Error(`Unexpected request to ${url}`);
+    if (route.location) {
+      return new Response(null, { status: 302, headers: { location: route.location } });
+    }
+    return new Response(PNG, { status: 200, headers: { "content-type": "image/png" } });
+  };
+  return { fetch, requested };
+}
+
+test("fetchImageAsDataUrl returns a public image as a data URL", async () => {
+  const { fetch } = createFetch({ "https://cdn.example/cat.png": {} });
+  const background = loadBackgroundScript({ fetch });
+
+  const dataUrl = await background.fetchImageAsDataUrl("https://cdn.example/cat.png", "https://example.com/");
+  assert.equal(dataUrl, `data:image/png;base64,${Buffer.from(PNG).toString("base64")}`);
+});
+
+test("fetchImageAsDataUrl follows redirects between public hosts", async () => {
+  const { fetch, requested } = createFetch({
+    "https://example.com/image": { location: "https://cdn.example/cat.png" },
+    "https://cdn.example/cat.png": {}
+  });
+  const background = loadBackgroundScript({ fetch });
+
+  await background.fetchImageAsDataUrl("https://example.com/image", "https://example.com/");
+  assert.deepEqual(requested, ["https://example.com/image", "https://cdn.example/cat.png"]);
+});
+
+test("fetchImageAsDataUrl refuses a redirect to a private network host", async () => {
+  for (const location of ["http://127.0.0.1/admin.png", "http://192.168.1.1/router.png", "http://[::1]/x.png"]) {
+    const { fetch, requested } = createFetch({ "https://evil.example/image.png": { location } });
+    const background = loadBackgroundScript({ fetch });
+
+    await assert.rejects(
+      background.fetchImageAsDataUrl("https://evil.example/image.png", "https://evil.example/"),
+      /private network/
+    );
+    assert.deepEqual(requested, ["https://evil.example/image.png"]);
+  }
+});
+
+test("fetchImageAsDataUrl refuses a redirect whose Location the browser hides", async () => {
+  const opaque = { type: "opaqueredirect", status: 0, ok: false, headers: new Headers(), url: "" };
+  const background = loadBackgroundScript({ fetch: async () => opaque });
+
+  await assert.rejects(
+    background.fetchImageAsDataUrl("https://example.com/image", "https://example.com/"),
+    /Redirected images/
+  );
+});
+
+test("fetchImageAsDataUrl refuses a response that ends on a private host", async () => {
+  const response = new Response(PNG, { status: 200, headers: { "content-type": "image/png" } });
+  Object.defineProperty(response, "url", { value: "http://10.0.0.5/cat.png" });
+  const background = loadBackgroundScript({ fetch: async () => response });
+
+  await assert.rejects(
+    background.fetchImageAsDataUrl("https://example.com/cat.png", "https://example.com/"),
+    /private network/
+  );
+});
+
+test("fetchImageAsDataUrl gives up after too many redirects", async () => {
+  const { fetch } = createFetch({ "https://example.com/loop": { location: "https://example.com/loop" } });
+  const background = loadBackgroundScript({ fetch });
+
+  await assert.rejects(
+    background.fetchImageAsDataUrl("https://example.com/loop", "https://example.com/"),
+    /too many times/
+  );
+});
@@ -0,0 +1,87 @@
+// Model output shown or spoken on the page: rendering never creates
+// elements from markup, and labels and answers survive hostile replies
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScripts, readFixture, getDescendantTags, getMessage } = require("./harness");
+
+const scripts = loadContentScripts();
+const RENDERED_TAGS = new Set(["p", "ul", "ol", "li", "strong", "em", "code"]);
+
+/**
+ * Renders text into a fresh container and returns it
+ */
+function render(text) {
+  const container = scripts.document.createElement("div");
+  scripts.renderModelText(container, text);
+  return container;
+}
+
+test("renderModelText turns markup into text, never into elements", () => {
+  const hostile = [
+    ...readFixture("hostile-outputs.json"),
+    "<a href=\"https://evil.example\">Log in</a> to continue",
+    "<iframe src=\"https://evil.example\"></iframe>",
+    "**<img src=x onerror=alert(1)>**",
+    "- <svg onload=alert(1)>\n- <form action=\"https://evil.example\"><input></form>"
+  ];
+
+  for (const text of hostile) {
+    for (const tag of getDescendantTags(render(text))) {
+      assert.ok(RENDERED_TAGS.has(tag), `<${tag}> created from: ${text}`);
+    }
+  }
+});
+
+test("renderModelText reduces links to their text", () => {
+  const container = render("Read [the terms](javascript:alert(1)) first.");
+  assert.equal(container.textContent, "Read the terms first.");
+  assert.deepEqual(getDescendantTags(container), ["p"]);
+});
+
+test("renderModelText keeps the allowed markdown subset", () => {
+  const container = render("Intro with **bold** and `code`.\n\n- one\n- *two*\n\n1. first");
+  assert.deepEqual(getDescendantTags(container), ["p", "strong", "code", "ul", "li", "li", "em", "ol", "li"]);
+});
+
+test("appendInlineMarkdown puts markup inside emphasis as literal text", () => {
+  const parent = scripts.document.createElement("p");
+  scripts.appendInlineMarkdown(parent, "**<b onclick=\"steal()\">Bold</b>** and `<script>x()</script>`");
+
+  assert.deepEqual(getDescendantTags(parent), ["strong", "code"]);
+  assert.equal(parent.children[0].textContent, "<b onclick=\"steal()\">Bold</b>");
+  assert.equal(parent.children[1].textContent, "<script>x()</script>");
+});
+
+test("cleanGeneratedLabel discards hostile replies", () => {
+  for (const response of readFixture("hostile-outputs.json")) {
+    assert.equal(scripts.cleanGeneratedLabel(response), null, `kept: ${response}`);
+  }
+});
+
+test("cleanGeneratedLabel strips hidden characters, quotes and final punctuation", () => {
+  assert.equal(scripts.cleanGeneratedLabel("\"View \u202Epricing plans.\"\nExtra line"), "View pricing plans");
+  assert.equal(scripts.cleanGeneratedLabel("<b>Download</b> annual report"), "Download annual report");
+  assert.equal(scripts.cleanGeneratedLabel("one two three four five six seven eight nine"), null);
+});
+
+test("parseAnswer withholds hostile answers", () => {
+  for (const response of readFixture("hostile-outputs.json")) {
+    const { answer, sourceIndex } = scripts.parseAnswer(`${response}\nSource: 1`);
+    assert.equal(answer, getMessage("answerWithheld"), `not withheld: ${response}`);
+    assert.equal(sourceIndex, null);
+  }
+});
+
+test("parseAnswer accepts an answer quoting its source and reads the citation", () => {
+  const source = readFixture("llm-article.txt");
+  const { answer, sourceIndex } = scripts.parseAnswer("It is the system prompt.\nSource: 2", source);
+  assert.equal(answer, "It is the system prompt.");
+  assert.equal(sourceIndex, 1);
+});
+
+test("parseAnswer removes tags and handles a missing source", () => {
+  const { answer, sourceIndex } = scripts.parseAnswer("The page <b>doesn't</b> say.\nSource: none");
+  assert.equal(answer, "The page doesn't say.");
+  assert.equal(sourceIndex, null);
+});